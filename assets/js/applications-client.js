@@ -0,0 +1,157 @@
+/**
+ * Applications Client
+ * Client adapter for the server-side loan application API (/api/applications).
+ * Replaces the localStorage-only `backend` store: the browser keeps nothing but
+ * the application id, the application itself lives on the server.
+ */
+
+class ApplicationsClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] - Base endpoint of the applications API
+   * @param {string} [options.csrfTokenEndpoint] - Endpoint issuing CSRF tokens
+   * @param {string} [options.storageKey] - localStorage key holding the application id
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || '/api/applications';
+    this.csrfTokenEndpoint = options.csrfTokenEndpoint || '/api/csrf-token';
+    this.storageKey = options.storageKey || 'applicationId';
+  }
+
+  /**
+   * Get the id of the application created in this browser, if any
+   * @returns {string|null}
+   */
+  getId() {
+    if (typeof localStorage === 'undefined') return null;
+    return localStorage.getItem(this.storageKey);
+  }
+
+  /**
+   * Forget the application id stored in this browser
+   */
+  clear() {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.removeItem(this.storageKey);
+    }
+  }
+
+  /**
+   * Fetch a CSRF token, preferring the shared ConfigManager when loaded
+   * @returns {Promise<string>}
+   */
+  async getCsrfToken() {
+    if (typeof window !== 'undefined' && window.configManager) {
+      return window.configManager.getCsrfToken();
+    }
+
+    const response = await fetch(this.csrfTokenEndpoint, { credentials: 'same-origin' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch CSRF token: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.token;
+  }
+
+  /**
+   * Send a JSON request and unwrap the API response
+   * @param {string} method
+   * @param {string} url
+   * @param {Object} [body]
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(method, url, body) {
+    const headers = { 'Accept': 'application/json' };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      headers['X-CSRF-Token'] = await this.getCsrfToken();
+    }
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      credentials: 'same-origin',
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    let payload = {};
+    try {
+      payload = await response.json();
+    } catch (e) {
+      // Non-JSON error page
+    }
+
+    if (!response.ok || payload.success === false) {
+      const error = new Error(payload.error || `Request failed: ${response.status}`);
+      error.status = response.status;
+      error.details = payload.details || null;
+      throw error;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Create the application on first save, merge into it afterwards
+   * @param {Object} data - Step data (same keys as the legacy `userData`)
+   * @param {Object} [options]
+   * @param {string} [options.status] - 'draft' (default) or 'submitted'
+   * @returns {Promise<Object>} The stored application
+   */
+  async save(data, options = {}) {
+    const body = { data };
+    if (options.status) {
+      body.status = options.status;
+    }
+
+    const id = this.getId();
+    if (id) {
+      try {
+        const { application } = await this.request('PATCH', `${this.endpoint}/${encodeURIComponent(id)}`, body);
+        return application;
+      } catch (error) {
+        // The stored id no longer exists on the server: start a new application
+        if (error.status !== 404) throw error;
+        this.clear();
+      }
+    }
+
+    const { application } = await this.request('POST', this.endpoint, body);
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(this.storageKey, application.id);
+    }
+    return application;
+  }
+
+  /**
+   * Load the application created in this browser
+   * @returns {Promise<Object|null>}
+   */
+  async load() {
+    const id = this.getId();
+    if (!id) return null;
+
+    try {
+      const { application } = await this.request('GET', `${this.endpoint}/${encodeURIComponent(id)}`);
+      return application;
+    } catch (error) {
+      if (error.status === 404) {
+        this.clear();
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const applicationsClient = new ApplicationsClient();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = applicationsClient;
+  module.exports.ApplicationsClient = ApplicationsClient;
+}
+if (typeof window !== 'undefined') {
+  window.applicationsClient = applicationsClient;
+}
@@ -25,36 +25,31 @@ if (typeof window !== 'undefined') {
     };
 }
 
+// Server-side application store (see applications-client.js)
+const applicationsClient = typeof window !== 'undefined' && window.applicationsClient ? window.applicationsClient : require('./applications-client.js');
+
 const backend = {
     init() {
-        // Initialize with session-based encryption
-        const encryptionKey = config.get('security.encryptionKey');
-        const encrypted = localStorage.getItem('loanApplications');
-        
-        if (encrypted) {
-            try {
-                const decrypted = CryptoJS.AES.decrypt(encrypted, encryptionKey).toString(CryptoJS.enc.Utf8);
-                this.applications = JSON.parse(decrypted || '[]');
-            } catch (e) {
-                // If decryption fails (e.g., different session key), start fresh
-                console.warn('Could not decrypt existing data (different session). Starting fresh.');
-                this.applications = [];
-            }
-        } else {
-            this.applications = [];
+        // Applications now live on the server; drop anything left by the old
+        // localStorage store, which could not be decrypted across sessions anyway
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem('loanApplications');
         }
-        
+        this.applications = [];
         return this;
     },
+    // Applications saved during this page session (in-memory cache only)
     applications: [],
     saveApplication(data) {
         // Add timestamp for session management
         data.timestamp = Date.now();
         this.applications.push(data);
-        
-        const encryptionKey = config.get('security.encryptionKey');
-        const encrypted = CryptoJS.AES.encrypt(JSON.stringify(this.applications), encryptionKey).toString();
-        localStorage.setItem('loanApplications', encrypted);
+
+        return applicationsClient.save(data, { status: 'submitted' }).then(application => {
+            data.applicationId = application.id;
+            data.loanCode = application.loanCode;
+            return application;
+        });
     },
     clearExpiredSessions() {
         const sessionTimeout = config.get('security.sessionTimeout') * 60 * 1000; // convert to ms
@@ -63,10 +58,6 @@ const backend = {
         this.applications = this.applications.filter(app => {
             return app.timestamp && (now - app.timestamp) < sessionTimeout;
         });
-        
-        const encryptionKey = config.get('security.encryptionKey');
-        const encrypted = CryptoJS.AES.encrypt(JSON.stringify(this.applications), encryptionKey).toString();
-        localStorage.setItem('loanApplications', encrypted);
     }
 }.init();
 
@@ -0,0 +1,234 @@
+/**
+ * Loan Application API
+ * Lưu hồ sơ vay trên server thay cho localStorage của trình duyệt
+ * Version: 1.0.0
+ * Date: 2025-12-01
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const { JsonFileStore } = require('../lib/json-file-store');
+
+const store = new JsonFileStore('applications');
+
+const APPLICATION_STATUSES = ['draft', 'submitted', 'reviewing', 'approved', 'rejected', 'disbursed'];
+// Statuses the applicant may set from the browser; the rest are back-office decisions
+const CLIENT_STATUSES = ['draft', 'submitted'];
+const MAX_PAGE_SIZE = 100;
+
+const applicationDataSchema = Joi.object({
+  fullName: Joi.string().trim().min(3).max(100),
+  dob: Joi.string().pattern(/^\d{2}\/\d{2}\/\d{4}$/),
+  gender: Joi.string().max(20),
+  cccd: Joi.string().pattern(/^\d{12}$/),
+  contactAddress: Joi.string().max(300),
+  issuePlace: Joi.string().max(200),
+  phone: Joi.string().pattern(/^0\d{9}$/),
+  email: Joi.string().email({ tlds: false }).max(200).allow(''),
+  loanType: Joi.string().max(100),
+  loanTerm: Joi.number().integer().min(1).max(120),
+  loanAmount: Joi.number().positive().max(10_000_000_000),
+  interestRate: Joi.number().min(0).max(100),
+  monthlyIncome: Joi.number().min(0),
+  occupation: Joi.string().max(100).allow(''),
+  purpose: Joi.string().max(300).allow(''),
+  accountName: Joi.string().max(100).allow(''),
+  accountNumber: Joi.string().pattern(/^\d{6,20}$/).allow(''),
+  bankName: Joi.string().max(200).allow(''),
+  monthlyPayment: Joi.number().min(0),
+  totalInterest: Joi.number().min(0),
+  totalRepay: Joi.number().min(0),
+  currentStep: Joi.number().integer().min(1).max(9)
+});
+
+// Fields that must be present before an application can be submitted
+const REQUIRED_ON_SUBMIT = ['fullName', 'dob', 'cccd', 'phone', 'loanType', 'loanTerm', 'loanAmount'];
+
+const createSchema = Joi.object({
+  status: Joi.string().valid(...CLIENT_STATUSES).default('draft'),
+  data: applicationDataSchema.required()
+});
+
+const updateSchema = Joi.object({
+  status: Joi.string().valid(...CLIENT_STATUSES),
+  data: applicationDataSchema.default({})
+});
+
+const listSchema = Joi.object({
+  status: Joi.string().valid(...APPLICATION_STATUSES),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Validate a value against a Joi schema
+ * @returns {{ value: Object, details: string[]|null }}
+ */
+function validate(schema, value) {
+  const { value: result, error } = schema.validate(value, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+  return {
+    value: result,
+    details: error ? error.details.map(detail => detail.message) : null
+  };
+}
+
+function sendValidationError(res, details) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid application payload',
+    details
+  });
+}
+
+function missingSubmitFields(data) {
+  return REQUIRED_ON_SUBMIT.filter(field => data[field] === undefined || data[field] === '');
+}
+
+function generateLoanCode() {
+  return `SHB${crypto.randomInt(100000, 1000000)}`;
+}
+
+/**
+ * POST /api/applications - Create a new application
+ */
+async function createApplication(req, res) {
+  try {
+    const { value, details } = validate(createSchema, req.body);
+    if (details) {
+      return sendValidationError(res, details);
+    }
+
+    if (value.status === 'submitted') {
+      const missing = missingSubmitFields(value.data);
+      if (missing.length) {
+        return sendValidationError(res, missing.map(field => `"${field}" is required to submit`));
+      }
+    }
+
+    const now = new Date().toISOString();
+    const application = {
+      id: crypto.randomUUID(),
+      loanCode: generateLoanCode(),
+      status: value.status,
+      data: value.data,
+      timeline: [{ status: value.status, at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await store.insert(application);
+    res.status(201).json({ success: true, application });
+  } catch (error) {
+    console.error('[Applications] Error creating application:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /api/applications/:id - Read one application
+ */
+async function getApplication(req, res) {
+  try {
+    const application = await store.get(req.params.id);
+    if (!application) {
+      return res.status(404).json({ success: false, error: 'Application not found' });
+    }
+    res.status(200).json({ success: true, application });
+  } catch (error) {
+    console.error('[Applications] Error reading application:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * PATCH /api/applications/:id - Merge new step data into an application
+ */
+async function updateApplication(req, res) {
+  try {
+    const { value, details } = validate(updateSchema, req.body);
+    if (details) {
+      return sendValidationError(res, details);
+    }
+
+    const existing = await store.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Application not found' });
+    }
+
+    const nextStatus = value.status || existing.status;
+    if (!CLIENT_STATUSES.includes(existing.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Application is already ${existing.status}`
+      });
+    }
+    if (existing.status === 'submitted' && nextStatus === 'draft') {
+      return res.status(409).json({ success: false, error: 'Application is already submitted' });
+    }
+
+    const mergedData = { ...existing.data, ...value.data };
+    if (nextStatus === 'submitted') {
+      const missing = missingSubmitFields(mergedData);
+      if (missing.length) {
+        return sendValidationError(res, missing.map(field => `"${field}" is required to submit`));
+      }
+    }
+
+    const now = new Date().toISOString();
+    const application = await store.update(existing.id, current => ({
+      ...current,
+      status: nextStatus,
+      data: { ...current.data, ...value.data },
+      timeline: nextStatus !== current.status
+        ? [...current.timeline, { status: nextStatus, at: now }]
+        : current.timeline,
+      updatedAt: now
+    }));
+
+    res.status(200).json({ success: true, application });
+  } catch (error) {
+    console.error('[Applications] Error updating application:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /api/applications - List applications (newest first)
+ */
+async function listApplications(req, res) {
+  try {
+    const { value, details } = validate(listSchema, req.query);
+    if (details) {
+      return sendValidationError(res, details);
+    }
+
+    const all = await store.all();
+    const filtered = all
+      .filter(application => !value.status || application.status === value.status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.status(200).json({
+      success: true,
+      total: filtered.length,
+      limit: value.limit,
+      offset: value.offset,
+      items: filtered.slice(value.offset, value.offset + value.limit)
+    });
+  } catch (error) {
+    console.error('[Applications] Error listing applications:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  createApplication,
+  getApplication,
+  updateApplication,
+  listApplications,
+  applicationStore: store,
+  APPLICATION_STATUSES
+};
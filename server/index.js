@@ -6,6 +6,12 @@ const morgan = require('morgan');
 const crypto = require('crypto');
 const path = require('path');
 const { handleErrorReport, getReportStats } = require('./api/ekyc-error-report');
+const {
+  createApplication,
+  getApplication,
+  updateApplication,
+  listApplications
+} = require('./api/applications');
 
 const app = express();
 const CSRF_TOKEN_EXPIRY_MS = 30 * 60 * 1000;
@@ -84,6 +90,11 @@ app.get('/api/csrf-token', (_req, res) => {
 app.post('/api/ekyc/error-report', verifyCsrfToken, handleErrorReport);
 app.get('/api/ekyc/stats', getReportStats);
 
+app.post('/api/applications', verifyCsrfToken, createApplication);
+app.get('/api/applications', listApplications);
+app.get('/api/applications/:id', getApplication);
+app.patch('/api/applications/:id', verifyCsrfToken, updateApplication);
+
 const staticDir = path.join(__dirname, '..', 'dist');
 app.use(express.static(staticDir));
 
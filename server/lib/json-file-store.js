@@ -0,0 +1,157 @@
+/**
+ * JSON File Store
+ * Lưu trữ dạng collection trên file JSON, dùng cho môi trường chạy local
+ * (không cần MongoDB). Ghi file theo kiểu atomic (ghi file tạm rồi rename)
+ * và tuần tự hóa các lần ghi trong cùng process.
+ * Version: 1.0.0
+ * Date: 2025-12-01
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Resolve the data directory (overridable through DATA_DIR)
+ * @returns {string}
+ */
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, '../data');
+}
+
+/**
+ * Write a file atomically: write to a temp file in the same directory, then rename
+ * @param {string} filePath
+ * @param {string|Buffer} contents
+ */
+async function writeFileAtomic(filePath, contents) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  try {
+    await fs.promises.writeFile(tmpPath, contents);
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+}
+
+class JsonFileStore {
+  /**
+   * @param {string} name - Collection name, stored as `<DATA_DIR>/<name>.json`
+   */
+  constructor(name) {
+    this.name = name;
+    this.queue = Promise.resolve();
+  }
+
+  get filePath() {
+    return path.join(getDataDir(), `${this.name}.json`);
+  }
+
+  /**
+   * Read all records of the collection
+   * @returns {Promise<Object[]>}
+   */
+  async all() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const records = JSON.parse(raw);
+      return Array.isArray(records) ? records : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a record by id
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const records = await this.all();
+    return records.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Find records matching a predicate
+   * @param {Function} predicate
+   * @returns {Promise<Object[]>}
+   */
+  async find(predicate) {
+    const records = await this.all();
+    return records.filter(predicate);
+  }
+
+  /**
+   * Insert a new record
+   * @param {Object} record - Must carry a unique `id`
+   * @returns {Promise<Object>}
+   */
+  insert(record) {
+    return this.mutate(records => {
+      records.push(record);
+      return record;
+    });
+  }
+
+  /**
+   * Update a record through an updater function
+   * @param {string} id
+   * @param {Function} updater - Receives the current record, returns the new one
+   * @returns {Promise<Object|null>} Updated record, or null if not found
+   */
+  update(id, updater) {
+    return this.mutate(records => {
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) {
+        return null;
+      }
+      records[index] = updater(records[index]);
+      return records[index];
+    });
+  }
+
+  /**
+   * Remove records matching a predicate
+   * @param {Function} predicate
+   * @returns {Promise<Object[]>} Removed records
+   */
+  removeWhere(predicate) {
+    return this.mutate(records => {
+      const removed = [];
+      for (let i = records.length - 1; i >= 0; i--) {
+        if (predicate(records[i])) {
+          removed.unshift(records.splice(i, 1)[0]);
+        }
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * Run a read-modify-write cycle, serialised with other writes of this store
+   * @param {Function} fn - Receives the mutable records array
+   * @returns {Promise<*>} Value returned by fn
+   */
+  mutate(fn) {
+    const run = this.queue.then(async () => {
+      const records = await this.all();
+      const result = fn(records);
+      await writeFileAtomic(this.filePath, JSON.stringify(records, null, 2));
+      return result;
+    });
+    // Keep the queue alive even if this mutation fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = {
+  JsonFileStore,
+  getDataDir,
+  writeFileAtomic
+};
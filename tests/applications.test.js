@@ -0,0 +1,115 @@
+/** @jest-environment node */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'applications-test-'));
+process.env.DATA_DIR = dataDir;
+
+const app = require('../server/index');
+
+const validData = {
+  fullName: 'NGUYEN VAN A',
+  dob: '01/01/1990',
+  cccd: '001090000001',
+  phone: '0901234567',
+  email: 'a@example.com',
+  loanType: 'Vay tiêu dùng',
+  loanTerm: '12',
+  loanAmount: '20000000'
+};
+
+async function csrfToken() {
+  const res = await request(app).get('/api/csrf-token');
+  return res.body.token;
+}
+
+describe('Loan application API', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('rejects creation without a CSRF token', async () => {
+    const res = await request(app).post('/api/applications').send({ data: validData });
+    expect(res.status).toBe(403);
+  });
+
+  it('creates, reads and persists an application', async () => {
+    const res = await request(app)
+      .post('/api/applications')
+      .set('X-CSRF-Token', await csrfToken())
+      .send({ data: { ...validData, unknownField: 'dropped' } });
+
+    expect(res.status).toBe(201);
+    const { application } = res.body;
+    expect(application.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(application.loanCode).toMatch(/^SHB\d{6}$/);
+    expect(application.status).toBe('draft');
+    expect(application.data.loanAmount).toBe(20000000);
+    expect(application.data.unknownField).toBeUndefined();
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'applications.json'), 'utf8'));
+    expect(stored.some(record => record.id === application.id)).toBe(true);
+
+    const read = await request(app).get(`/api/applications/${application.id}`);
+    expect(read.status).toBe(200);
+    expect(read.body.application.data.fullName).toBe('NGUYEN VAN A');
+  });
+
+  it('rejects invalid payloads with details', async () => {
+    const res = await request(app)
+      .post('/api/applications')
+      .set('X-CSRF-Token', await csrfToken())
+      .send({ data: { cccd: '123', phone: 'abc' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.length).toBe(2);
+  });
+
+  it('requires the core fields before submission', async () => {
+    const res = await request(app)
+      .post('/api/applications')
+      .set('X-CSRF-Token', await csrfToken())
+      .send({ status: 'submitted', data: { fullName: 'NGUYEN VAN B' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContain('"cccd" is required to submit');
+  });
+
+  it('merges step data and records status changes in the timeline', async () => {
+    const created = await request(app)
+      .post('/api/applications')
+      .set('X-CSRF-Token', await csrfToken())
+      .send({ data: { fullName: 'NGUYEN VAN C' } });
+    const { id } = created.body.application;
+
+    const updated = await request(app)
+      .patch(`/api/applications/${id}`)
+      .set('X-CSRF-Token', await csrfToken())
+      .send({ status: 'submitted', data: { ...validData, fullName: 'NGUYEN VAN C' } });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.application.status).toBe('submitted');
+    expect(updated.body.application.timeline.map(entry => entry.status)).toEqual(['draft', 'submitted']);
+
+    const reverted = await request(app)
+      .patch(`/api/applications/${id}`)
+      .set('X-CSRF-Token', await csrfToken())
+      .send({ status: 'draft' });
+    expect(reverted.status).toBe(409);
+  });
+
+  it('returns 404 for unknown applications', async () => {
+    const res = await request(app).get('/api/applications/does-not-exist');
+    expect(res.status).toBe(404);
+  });
+
+  it('lists applications with status filter and pagination', async () => {
+    const res = await request(app).get('/api/applications').query({ status: 'submitted', limit: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.items).toHaveLength(1);
+    expect(res.body.items[0].status).toBe('submitted');
+  });
+});